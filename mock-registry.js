@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+// Mock AgentForge catalog for local testing, with no dependencies. Serves the same
+// agents two ways:
+//
+//   Self-hosted registry   http://localhost:8787/api
+//   Static JSON index      http://localhost:8787/catalog/index.json
+//
+// Usage: node mock-registry.js [port]
+// Set REGISTRY_TOKEN to require "Authorization: Bearer <token>" for publishing.
+// Published agents and feedback live in memory and are gone when the server stops.
+
+const http = require('http');
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const token = process.env.REGISTRY_TOKEN || '';
+// Agents can carry up to 20 MB of knowledge documents plus versions, tests and tools
+const maxBodySize = 25 * 1024 * 1024;
+
+const entries = new Map();
+// Entry id -> client id -> that client's latest { liked, rating, review, reviewer, uses }
+const feedback = new Map();
+
+[
+    {
+        id: 'code-reviewer',
+        version: '1.0.0',
+        category: 'Development',
+        author: { name: 'AgentForge', url: 'https://example.com' },
+        updated: '2024-01-15T10:00:00.000Z',
+        agent: {
+            name: 'Code Reviewer',
+            description: 'Reviews diffs for bugs, readability and missing tests',
+            avatar: '🔍',
+            tags: ['code', 'review', 'quality'],
+            systemPrompt: 'You are a senior engineer reviewing a pull request. Point out bugs first, then readability issues, then missing tests. Quote the lines you comment on.',
+            personality: 'professional',
+            responseStyle: 'concise'
+        }
+    },
+    {
+        id: 'meeting-notes',
+        version: '1.0.0',
+        category: 'Business',
+        author: { name: 'AgentForge', url: 'https://example.com' },
+        updated: '2024-01-15T10:00:00.000Z',
+        agent: {
+            name: 'Meeting Notes',
+            description: 'Turns a transcript into decisions, action items and open questions',
+            avatar: '📝',
+            tags: ['meetings', 'summary', 'productivity'],
+            systemPrompt: 'Summarize the meeting transcript you are given as three lists: decisions, action items with owners, and open questions. Keep each item to one line.',
+            personality: 'professional',
+            responseStyle: 'structured'
+        }
+    }
+].forEach(entry => entries.set(entry.id, entry));
+
+// Dotted versions compare part by part as numbers, like the app does
+function isNewer(version, than) {
+    return String(version).localeCompare(String(than), undefined, { numeric: true }) > 0;
+}
+
+function totals(id) {
+    const states = [...(feedback.get(id) || new Map()).values()];
+    const ratings = states.filter(state => state.rating !== null).map(state => state.rating);
+    return {
+        likes: states.filter(state => state.liked).length,
+        uses: states.reduce((sum, state) => sum + state.uses, 0),
+        rating: ratings.length
+            ? { average: ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length, count: ratings.length }
+            : null
+    };
+}
+
+function reviews(id) {
+    return [...(feedback.get(id) || new Map()).values()]
+        .filter(state => state.rating !== null)
+        .sort((a, b) => b.updated.localeCompare(a.updated))
+        .slice(0, 20)
+        .map(state => ({ author: state.reviewer || 'Anonymous', rating: state.rating, review: state.review, updated: state.updated }));
+}
+
+// Listings leave out the agent and reviews to keep pages small
+function summary(entry) {
+    const { agent, ...rest } = entry;
+    return {
+        ...rest,
+        ...totals(entry.id),
+        name: agent.name,
+        description: agent.description,
+        avatar: agent.avatar,
+        tags: agent.tags
+    };
+}
+
+function full(entry) {
+    return { ...entry, ...totals(entry.id), reviews: reviews(entry.id) };
+}
+
+// Lowercased tags; entries stored before tags were validated may lack a proper array
+function tagsOf(entry) {
+    return Array.isArray(entry.agent.tags) ? entry.agent.tags.map(tag => String(tag).toLowerCase()) : [];
+}
+
+// A plain substring search; the app's own index adds typo tolerance for other catalogs
+function matches(entry, query, category, tags) {
+    const agent = entry.agent;
+    const entryTags = tagsOf(entry);
+    const text = [agent.name, agent.description, entry.author.name, agent.systemPrompt, ...entryTags].join(' ').toLowerCase();
+    return query.split(/\s+/).filter(Boolean).every(term => text.includes(term))
+        && (!category || entry.category.toLowerCase() === category)
+        && tags.every(tag => entryTags.includes(tag));
+}
+
+function facet(list, values) {
+    const counts = new Map();
+    list.forEach(item => new Set(values(item)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+    return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+const sorts = {
+    likes: (a, b) => b.likes - a.likes,
+    uses: (a, b) => b.uses - a.uses,
+    rating: (a, b) => (b.rating ? b.rating.average : 0) - (a.rating ? a.rating.average : 0)
+        || (b.rating ? b.rating.count : 0) - (a.rating ? a.rating.count : 0),
+    newest: (a, b) => b.updated.localeCompare(a.updated)
+};
+
+function send(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(status === 204 ? '' : JSON.stringify(data, null, 2));
+}
+
+// Past the limit the rest of the body is read and dropped, so the client gets the
+// 413 answer instead of a reset connection
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let size = 0;
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            size += Buffer.byteLength(chunk);
+            if (size <= maxBodySize) body += chunk;
+        });
+        req.on('end', () => {
+            if (size > maxBodySize) {
+                const error = new Error(`Request body is larger than ${maxBodySize / 1024 / 1024} MB`);
+                error.status = 413;
+                reject(error);
+            } else {
+                resolve(body);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') return 'Send an entry object';
+    if (typeof entry.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(entry.id)) return 'Invalid "id"';
+    if (typeof entry.version !== 'string' || !entry.version) return 'Missing "version"';
+    if (!entry.author || typeof entry.author.name !== 'string' || !entry.author.name) return 'Missing "author.name"';
+    if (entry.author.url !== undefined && typeof entry.author.url !== 'string') return '"author.url" must be a string';
+    if (entry.category !== undefined && typeof entry.category !== 'string') return '"category" must be a string';
+    if (entry.notes !== undefined && typeof entry.notes !== 'string') return '"notes" must be a string';
+
+    const agent = entry.agent;
+    if (!agent || typeof agent.name !== 'string' || typeof agent.systemPrompt !== 'string') {
+        return '"agent" needs a name and a systemPrompt';
+    }
+    // Listings and search read these, so a wrong type would break every later request
+    for (const field of ['description', 'avatar']) {
+        if (agent[field] !== undefined && typeof agent[field] !== 'string') return `"agent.${field}" must be a string`;
+    }
+    if (agent.tags !== undefined && (!Array.isArray(agent.tags) || agent.tags.some(tag => typeof tag !== 'string'))) {
+        return '"agent.tags" must be an array of strings';
+    }
+    return null;
+}
+
+async function publish(req, res) {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        send(res, 401, { error: 'A valid registry token is required to publish' });
+        return;
+    }
+
+    let entry;
+    try {
+        entry = JSON.parse(await readBody(req));
+    } catch (error) {
+        send(res, error.status || 400, { error: error.message });
+        return;
+    }
+
+    const problem = validateEntry(entry);
+    if (problem) {
+        send(res, 400, { error: problem });
+        return;
+    }
+
+    const existing = entries.get(entry.id);
+    if (existing && !isNewer(entry.version, existing.version)) {
+        send(res, 409, { error: `Version ${entry.version} is not newer than the published ${existing.version}` });
+        return;
+    }
+
+    const stored = {
+        id: entry.id,
+        version: entry.version,
+        category: entry.category || 'Other',
+        author: { name: entry.author.name, url: entry.author.url || '' },
+        notes: entry.notes || '',
+        updated: new Date().toISOString(),
+        agent: entry.agent
+    };
+    entries.set(stored.id, stored);
+    console.log(`Published ${stored.id} ${stored.version}`);
+    send(res, 201, stored);
+}
+
+// Each client sends its whole current state per entry, which replaces what it sent before
+async function saveFeedback(req, res) {
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (error) {
+        send(res, error.status || 400, { error: error.message });
+        return;
+    }
+
+    if (!body || typeof body.clientId !== 'string' || !/^[a-z0-9-]{8,64}$/i.test(body.clientId)) {
+        send(res, 400, { error: 'Missing or invalid "clientId"' });
+        return;
+    }
+    if (!Array.isArray(body.entries) || body.entries.length > 100) {
+        send(res, 400, { error: '"entries" must be an array of at most 100 items' });
+        return;
+    }
+
+    const updated = [];
+    for (const item of body.entries) {
+        if (!item || !entries.has(item.id)) continue;
+
+        const rating = Number.isInteger(item.rating) && item.rating >= 1 && item.rating <= 5 ? item.rating : null;
+        if (!feedback.has(item.id)) feedback.set(item.id, new Map());
+        feedback.get(item.id).set(body.clientId, {
+            liked: item.liked === true,
+            rating,
+            review: rating !== null && typeof item.review === 'string' ? item.review.slice(0, 500) : '',
+            reviewer: typeof item.reviewer === 'string' ? item.reviewer.slice(0, 100) : '',
+            uses: Number.isInteger(item.uses) && item.uses >= 0 ? item.uses : 0,
+            updated: new Date().toISOString()
+        });
+        updated.push({ id: item.id, ...totals(item.id) });
+    }
+    send(res, 200, { agents: updated });
+}
+
+async function route(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname.replace(/\/+$/, '');
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    if (path === '/api/agents' && req.method === 'POST') {
+        await publish(req, res);
+        return;
+    }
+
+    if (path === '/api/feedback' && req.method === 'POST') {
+        await saveFeedback(req, res);
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        send(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    if (path === '/api/agents') {
+        const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(url.searchParams.get('pageSize'), 10) || 12));
+        const query = (url.searchParams.get('q') || '').toLowerCase();
+        const category = (url.searchParams.get('category') || '').toLowerCase();
+        const tags = (url.searchParams.get('tags') || '').toLowerCase().split(',').filter(Boolean);
+        const found = [...entries.values()].filter(entry => matches(entry, query, category, tags));
+        const all = found.map(summary);
+        const sort = url.searchParams.get('sort');
+        if (Object.prototype.hasOwnProperty.call(sorts, sort)) all.sort(sorts[sort]);
+        send(res, 200, {
+            catalogVersion: 1,
+            agents: all.slice((page - 1) * pageSize, page * pageSize),
+            total: all.length,
+            page,
+            pageSize,
+            facets: {
+                categories: facet([...entries.values()], entry => [entry.category]),
+                tags: facet(found, tagsOf).slice(0, 20)
+            }
+        });
+        return;
+    }
+
+    const apiEntry = path.match(/^\/api\/agents\/([^/]+)$/);
+    if (apiEntry) {
+        const entry = entries.get(decodeURIComponent(apiEntry[1]));
+        if (entry) send(res, 200, full(entry));
+        else send(res, 404, { error: 'No such agent' });
+        return;
+    }
+
+    if (path === '/catalog/index.json') {
+        send(res, 200, {
+            catalogVersion: 1,
+            name: 'Mock catalog',
+            agents: [...entries.values()].map(entry => ({ ...summary(entry), url: `agents/${encodeURIComponent(entry.id)}.json` }))
+        });
+        return;
+    }
+
+    const staticEntry = path.match(/^\/catalog\/agents\/([^/]+)\.json$/);
+    if (staticEntry) {
+        const entry = entries.get(decodeURIComponent(staticEntry[1]));
+        if (entry) send(res, 200, entry);
+        else send(res, 404, { error: 'No such agent' });
+        return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+}
+
+// One bad request answers with an error instead of taking the server down
+const server = http.createServer(async (req, res) => {
+    try {
+        await route(req, res);
+    } catch (error) {
+        if (res.headersSent) {
+            res.end();
+        } else if (error instanceof URIError) {
+            send(res, 400, { error: 'Malformed URL' });
+        } else {
+            console.error(error);
+            send(res, 500, { error: 'Internal server error' });
+        }
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Mock registry:     http://localhost:${port}/api`);
+    console.log(`Static catalog:    http://localhost:${port}/catalog/index.json`);
+    if (token) console.log('Publishing requires the REGISTRY_TOKEN bearer token');
+});